@@ -0,0 +1,13 @@
+// Listen for the first of the signals, then stop listening for all of them
+export const onceSignalsImpl = (signals, handler) => {
+  const listener = (signal) => {
+    for (const s of signals) process.off(s, listener);
+    handler(signal)();
+  };
+  for (const s of signals) process.on(s, listener);
+};
+
+// With no listeners left, Node's default handling terminates the process
+export const reraiseImpl = (signal) => {
+  if (process.listenerCount(signal) === 0) process.kill(process.pid, signal);
+};
@@ -1,3 +1,5 @@
+import { AssignerProtocol } from 'kafkajs';
+
 export const createAdminImpl = (kafka) => kafka.admin();
 
 export const connectAdminImpl = (admin) => admin.connect();
@@ -8,4 +10,96 @@ export const deleteTopicsImpl = (admin, opts) => admin.deleteTopics(opts);
 
 export const listTopicsImpl = (admin) => admin.listTopics();
 
+export const fetchTopicMetadataImpl = (admin, topics) =>
+  admin
+    .fetchTopicMetadata(topics.length === 0 ? undefined : { topics })
+    .then(({ topics }) => topics.map(({ name, partitions }) => ({
+      name,
+      partitions: partitions.map(({ partitionId, leader, replicas, isr, partitionErrorCode }) => ({
+        partitionId,
+        leader: String(leader),
+        replicas: replicas.map(String),
+        isr: isr.map(String),
+        partitionErrorCode,
+      })),
+    })));
+
+export const createPartitionsImpl = (admin, topicPartitions) => admin.createPartitions({ topicPartitions });
+
+export const describeConfigsImpl = (admin, resources) =>
+  admin
+    .describeConfigs({
+      includeSynonyms: false,
+      resources: resources.map(({ resourceType, name }) => ({ type: resourceType, name })),
+    })
+    .then(({ resources }) => resources.map(({ resourceType, resourceName, configEntries }) => ({
+      resource: { resourceType, name: resourceName },
+      entries: configEntries.map(({ configName, configValue, isDefault, isSensitive, readOnly }) => ({
+        name: configName,
+        value: configValue ?? null,
+        isDefault,
+        isSensitive,
+        readOnly,
+      })),
+    })));
+
+export const alterConfigsImpl = (admin, changes) =>
+  admin
+    .alterConfigs({
+      resources: changes.map(({ resource, entries }) => ({
+        type: resource.resourceType,
+        name: resource.name,
+        configEntries: entries,
+      })),
+    })
+    .then(() => {});
+
+export const listGroupsImpl = (admin) => admin.listGroups().then(({ groups }) => groups);
+
+// Members that have not been assigned partitions yet have an empty assignment
+const decodeAssignment = (memberAssignment) => {
+  const decoded = memberAssignment?.length ? AssignerProtocol.MemberAssignment.decode(memberAssignment) : null;
+  return Object.entries(decoded?.assignment ?? {}).map(([topic, partitions]) => ({ topic, partitions }));
+};
+
+export const describeGroupsImpl = (admin, groupIds) =>
+  admin
+    .describeGroups(groupIds)
+    .then(({ groups }) => groups.map(({ groupId, state, protocol, protocolType, members }) => ({
+      groupId,
+      state,
+      protocol,
+      protocolType,
+      members: members.map(({ memberId, clientId, clientHost, memberAssignment }) => ({
+        memberId,
+        clientId,
+        clientHost,
+        assignment: decodeAssignment(memberAssignment),
+      })),
+    })));
+
+export const deleteGroupsImpl = (admin, groupIds) => admin.deleteGroups(groupIds).then(() => {});
+
+export const fetchTopicOffsetsImpl = (admin, topic) => admin.fetchTopicOffsets(topic);
+
+export const fetchOffsetsImpl = (admin, groupId, topic) =>
+  admin
+    .fetchOffsets({ groupId, topics: [topic] })
+    .then((topics) => topics.flatMap(({ partitions }) =>
+      partitions.map(({ partition, offset }) => ({ partition, offset }))));
+
+export const resetOffsetsImpl = (admin, groupId, topic, earliest) =>
+  admin.resetOffsets({ groupId, topic, earliest });
+
+export const setOffsetsImpl = (admin, groupId, topic, partitions) =>
+  admin.setOffsets({ groupId, topic, partitions });
+
+// Counted from low when the group has not committed yet (-1) or retention has
+// deleted past its committed offset, since it resumes from low either way
+export const lagImpl = (committed) => (low) => (high) => {
+  const start = BigInt(committed) < BigInt(low) ? BigInt(low) : BigInt(committed);
+  const lag = BigInt(high) - start;
+  return Number(lag > 0n ? lag : 0n);
+};
+
 export const disconnectAdminImpl = (admin) => admin.disconnect();
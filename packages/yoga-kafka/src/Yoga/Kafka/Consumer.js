@@ -58,4 +58,12 @@ export const runImpl = (consumer, opts, transformKey, promiseToAff, affToPromise
   return consumer.run(wrappedOpts);
 };
 
+export const stopConsumerImpl = (consumer) => consumer.stop();
+
+export const onCrashImpl = (consumer, handler) => {
+  const remove = consumer.on(consumer.events.CRASH, ({ payload }) =>
+    handler({ error: payload.error, groupId: payload.groupId, restart: payload.restart })());
+  return () => remove();
+};
+
 export const disconnectConsumerImpl = (consumer) => consumer.disconnect();
@@ -4,4 +4,6 @@ export const connectProducerImpl = (producer) => producer.connect();
 
 export const sendImpl = (producer, record) => producer.send(record);
 
+export const sendBatchImpl = (producer, batch) => producer.sendBatch(batch);
+
 export const disconnectProducerImpl = (producer) => producer.disconnect();
@@ -0,0 +1,12 @@
+// Offsets can exceed Number's safe integer range, so they are compared as
+// BigInts
+
+// Replaying starts at low when the group has not committed yet (-1) or
+// retention has deleted past its committed offset; null when nothing is left
+// before high
+export const lastToReplayImpl = (committed) => (low) => (high) => {
+  const start = BigInt(committed) < BigInt(low) ? BigInt(low) : BigInt(committed);
+  return start < BigInt(high) ? (BigInt(high) - 1n).toString() : null;
+};
+
+export const reachedOffset = (offset) => (target) => BigInt(offset) >= BigInt(target);
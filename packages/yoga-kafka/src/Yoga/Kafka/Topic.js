@@ -0,0 +1,27 @@
+export const fromUtf8 = (string) => Buffer.from(string, 'utf8');
+
+export const toUtf8 = (buffer) => buffer.toString('utf8');
+
+export const sendRawImpl = (producer, record) => producer.send(record);
+
+export const sendRawInTransactionImpl = (transaction, record) => transaction.send(record);
+
+// KafkaJS hands out repeated headers as arrays; keep the first value
+const firstHeader = (value) => (Array.isArray(value) ? value[0] : value);
+
+export const rawMessageImpl = ({ topic, partition, message }) => {
+  const headers = {};
+  for (const [name, value] of Object.entries(message.headers ?? {})) {
+    const first = firstHeader(value);
+    if (first != null) headers[name] = Buffer.isBuffer(first) ? first : Buffer.from(String(first), 'utf8');
+  }
+  return {
+    topic,
+    partition,
+    offset: message.offset,
+    timestamp: message.timestamp,
+    key: message.key ?? null,
+    value: message.value ?? null,
+    headers,
+  };
+};
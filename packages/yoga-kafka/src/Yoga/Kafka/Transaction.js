@@ -0,0 +1,14 @@
+export const beginImpl = (producer) => producer.transaction();
+
+export const commitImpl = (transaction) => transaction.commit();
+
+export const abortImpl = (transaction) => transaction.abort();
+
+export const sendImpl = (transaction, record) => transaction.send(record);
+
+export const sendBatchImpl = (transaction, batch) => transaction.sendBatch(batch);
+
+export const sendOffsetsImpl = (transaction, offsets) => transaction.sendOffsets(offsets);
+
+// Offsets can exceed Number's safe integer range
+export const nextOffset = (offset) => (BigInt(offset) + 1n).toString();
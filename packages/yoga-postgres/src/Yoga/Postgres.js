@@ -75,43 +75,129 @@ export const executeSimpleImpl = async (sql, queryString) => {
 
 // Transaction operations
 
+const transactionMode = (opts, renderIsolation) => {
+  const modes = [];
+  if (opts.isolation !== undefined) {
+    modes.push(`ISOLATION LEVEL ${renderIsolation(opts.isolation)}`);
+  }
+  if (opts.readOnly !== undefined) {
+    modes.push(opts.readOnly ? 'READ ONLY' : 'READ WRITE');
+  }
+  if (opts.deferrable !== undefined) {
+    modes.push(opts.deferrable ? 'DEFERRABLE' : 'NOT DEFERRABLE');
+  }
+  return modes.join(', ');
+};
+
 // For manual transaction control, we need to reserve a connection
 // postgres.js requires this to avoid "UNSAFE_TRANSACTION" errors
-export const beginImpl = async (sql) => {
+export const beginImpl = async (sql, opts, renderIsolation) => {
   // Reserve a connection from the pool
   const reserved = await sql.reserve();
-  
-  // Begin transaction on the reserved connection
-  await reserved`BEGIN`;
-  
-  // Return an object that tracks the reserved connection
+  const mode = transactionMode(opts, renderIsolation);
+
+  try {
+    await reserved.unsafe(mode ? `BEGIN ${mode}` : 'BEGIN');
+  } catch (err) {
+    reserved.release();
+    throw err;
+  }
+
+  // Return an object that tracks the reserved connection, and the pool it
+  // came from (prepared statements are registered per pool)
   return {
     _reserved: reserved,
-    _sql: reserved
+    _sql: reserved,
+    _pool: sql,
+    _savepoints: 0
   };
 };
 
 export const commitImpl = async (txn) => {
   if (txn._reserved) {
-    await txn._reserved`COMMIT`;
-    // Release the connection back to the pool
-    await txn._reserved.release();
+    try {
+      await txn._reserved`COMMIT`;
+    } finally {
+      // Release the connection back to the pool, even if COMMIT failed
+      await txn._reserved.release();
+    }
   }
 };
 
 export const rollbackImpl = async (txn) => {
   if (txn._reserved) {
-    await txn._reserved`ROLLBACK`;
-    // Release the connection back to the pool
-    await txn._reserved.release();
+    try {
+      await txn._reserved`ROLLBACK`;
+    } finally {
+      await txn._reserved.release();
+    }
   }
 };
 
-export const transactionImpl = async (sql, handler) => {
-  return sql.begin(async (txn) => {
-    const affAction = handler(txn);
-    return await affAction();
-  });
+// Savepoints
+
+export const nextSavepointNameImpl = (txn) => {
+  txn._savepoints = (txn._savepoints || 0) + 1;
+  return `yoga_savepoint_${txn._savepoints}`;
+};
+
+export const savepointImpl = async (txn, name) => {
+  const sql = txn._sql || txn;
+  await sql.unsafe(`SAVEPOINT ${quoteIdent(name)}`);
+};
+
+export const rollbackToImpl = async (txn, name) => {
+  const sql = txn._sql || txn;
+  await sql.unsafe(`ROLLBACK TO SAVEPOINT ${quoteIdent(name)}`);
+};
+
+export const releaseSavepointImpl = async (txn, name) => {
+  const sql = txn._sql || txn;
+  await sql.unsafe(`RELEASE SAVEPOINT ${quoteIdent(name)}`);
+};
+
+// Errors
+
+// Client-side codes postgres.js and Node use when the connection fails
+const connectionErrorCodes = new Set([
+  'CONNECTION_CLOSED',
+  'CONNECTION_ENDED',
+  'CONNECTION_DESTROYED',
+  'CONNECT_TIMEOUT',
+  'ECONNREFUSED',
+  'ECONNRESET',
+  'EPIPE',
+  'ETIMEDOUT',
+  'ENOTFOUND',
+  'EHOSTUNREACH'
+]);
+
+const optionalString = (value) =>
+  typeof value === 'string' && value !== '' ? value : null;
+
+export const decodeErrorImpl = (err) => {
+  const code = err && typeof err.code === 'string' ? err.code : '';
+  const position = err ? parseInt(err.position, 10) : NaN;
+  const kind =
+    err && err.name === 'PostgresError' && code
+      ? 'server'
+      : connectionErrorCodes.has(code) || (code && err.syscall)
+        ? 'connection'
+        : 'other';
+
+  return {
+    kind,
+    code,
+    severity: (err && optionalString(err.severity)) || 'ERROR',
+    message: (err && String(err.message)) || '',
+    constraint: err ? optionalString(err.constraint_name) : null,
+    schema: err ? optionalString(err.schema_name) : null,
+    table: err ? optionalString(err.table_name) : null,
+    column: err ? optionalString(err.column_name) : null,
+    detail: err ? optionalString(err.detail) : null,
+    hint: err ? optionalString(err.hint) : null,
+    position: Number.isNaN(position) ? null : position
+  };
 };
 
 export const txQueryImpl = async (txn, queryString, params) => {
@@ -141,53 +227,378 @@ export const txExecuteImpl = async (txn, queryString, params) => {
   return result.count ?? 0;
 };
 
+// Cursors
+//
+// Rows are pulled in batches from a server-side cursor. A batch still in
+// flight has to land before the cursor can be closed, otherwise the
+// connection would be left waiting for the next pull.
+
+const openCursor = (sql, queryString, params, batchSize, release) => ({
+  iterator: sql.unsafe(queryString, params).cursor(batchSize)[Symbol.asyncIterator](),
+  pending: null,
+  closed: false,
+  release
+});
+
+export const openCursorImpl = async (sql, queryString, params, batchSize) => {
+  const reserved = await sql.reserve();
+  return openCursor(reserved, queryString, params, batchSize, () => reserved.release());
+};
+
+export const txOpenCursorImpl = async (txn, queryString, params, batchSize) => {
+  const sql = txn._sql || txn;
+  return openCursor(sql, queryString, params, batchSize, () => {});
+};
+
+export const nextBatchImpl = (cursor) => {
+  if (cursor.closed) {
+    return Promise.resolve(null);
+  }
+  cursor.pending = cursor.iterator.next().then(({ value, done }) => done ? null : value);
+  return cursor.pending;
+};
+
+export const closeCursorImpl = async (cursor) => {
+  if (cursor.closed) return;
+  cursor.closed = true;
+  try {
+    if (cursor.pending) {
+      await cursor.pending.catch(() => null);
+    }
+    await cursor.iterator.return();
+  } finally {
+    cursor.release();
+  }
+};
+
+// COPY
+//
+// postgres.js resolves a COPY query with its stream as soon as the server is
+// ready and drops the CommandComplete that follows, which carries the row
+// count. Re-routing the query's resolve/reject picks that up once the copy
+// has finished.
+
+const trackCompletion = (query) => {
+  const resolveStream = query.resolve;
+  const rejectStream = query.reject;
+  let streamed = false;
+  const done = new Promise((resolve, reject) => {
+    query.resolve = (x) => streamed
+      ? resolve(x.count ?? 0)
+      : (streamed = true, resolveStream(x));
+    query.reject = (err) => (streamed || rejectStream(err), reject(err));
+  });
+  // Errors before the stream opens surface through the stream promise
+  done.catch(() => {});
+  return done;
+};
+
+// Schema-qualified names are quoted part by part
+const quoteTable = (table) => String(table).split('.').map(quoteIdent).join('.');
+
+const copyStatement = (source, opts, direction, renderFormat) => {
+  const format = opts.format !== undefined ? renderFormat(opts.format) : 'text';
+  const columns = opts.columns && opts.columns.length > 0
+    ? ' (' + opts.columns.map(quoteIdent).join(', ') + ')'
+    : '';
+  const options = [`FORMAT ${format}`];
+  if (opts.header === true) {
+    options.push('HEADER true');
+  }
+  if (opts.delimiter !== undefined) {
+    options.push(`DELIMITER '${String(opts.delimiter).replace(/'/g, "''")}'`);
+  }
+  return `COPY ${source}${columns} ${direction} (${options.join(', ')})`;
+};
+
+const stringifyValue = (value) => {
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) {
+    return '{' + value.map((el) => el === null || el === undefined
+      ? 'NULL'
+      : '"' + String(stringifyValue(el)).replace(/[\\"]/g, '\\$&') + '"'
+    ).join(',') + '}';
+  }
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+const textEscapes = { '\\': '\\\\', '\t': '\\t', '\n': '\\n', '\r': '\\r' };
+
+const encodeTextField = (value) => value === null || value === undefined
+  ? '\\N'
+  : stringifyValue(value).replace(/[\\\t\n\r]/g, (c) => textEscapes[c]);
+
+const encodeCsvField = (delimiter) => (value) => {
+  if (value === null || value === undefined) return '';
+  const str = stringifyValue(value);
+  return str === '' || str.includes(delimiter) || /["\r\n]/.test(str)
+    ? '"' + str.replace(/"/g, '""') + '"'
+    : str;
+};
+
+const rowEncoder = (format, opts) => {
+  if (format === 'binary') {
+    throw new Error('Binary COPY needs pre-encoded data, use copyFromRaw');
+  }
+  const delimiter = opts.delimiter ?? (format === 'csv' ? ',' : '\t');
+  const encodeField = format === 'csv' ? encodeCsvField(delimiter) : encodeTextField;
+  return (rows) => rows.map((row) => row.map(encodeField).join(delimiter) + '\n').join('');
+};
+
+const writeChunk = (stream, chunk) => new Promise((resolve, reject) => {
+  stream.write(chunk, (err) => err ? reject(err) : resolve());
+});
+
+const copyIn = async (sql, statement, nextChunk) => {
+  const query = sql.unsafe(statement);
+  const done = trackCompletion(query);
+  const stream = await query.writable();
+  try {
+    for (;;) {
+      const chunk = await nextChunk();
+      if (chunk === null) break;
+      await writeChunk(stream, chunk);
+    }
+  } catch (err) {
+    // Sends CopyFail so the server discards everything written so far
+    stream.destroy(err);
+    await done.catch(() => null);
+    throw err;
+  }
+  await new Promise((resolve, reject) => stream.end((err) => err ? reject(err) : resolve()));
+  return done;
+};
+
+const copyOut = async (sql, statement, handler) => {
+  const query = sql.unsafe(statement);
+  const done = trackCompletion(query);
+  const stream = await query.readable();
+  let failure = null;
+  for await (const chunk of stream) {
+    // Keep draining after a failed handler, an abandoned stream would
+    // leave the connection paused mid-copy
+    if (failure) continue;
+    try {
+      await handler(chunk)();
+    } catch (err) {
+      failure = err;
+    }
+  }
+  const count = await done;
+  if (failure) throw failure;
+  return count;
+};
+
+export const copyFromImpl = async (sql, table, opts, renderFormat, nextRows) => {
+  const format = opts.format !== undefined ? renderFormat(opts.format) : 'text';
+  const encode = rowEncoder(format, opts);
+  const statement = copyStatement(quoteTable(table), opts, 'FROM STDIN', renderFormat);
+  return copyIn(sql, statement, async () => {
+    const rows = await nextRows();
+    return rows === null ? null : encode(rows);
+  });
+};
+
+export const copyFromRawImpl = (sql, table, opts, renderFormat, nextChunk) =>
+  copyIn(sql, copyStatement(quoteTable(table), opts, 'FROM STDIN', renderFormat), nextChunk);
+
+export const copyToImpl = (sql, table, opts, renderFormat, handler) =>
+  copyOut(sql, copyStatement(quoteTable(table), opts, 'TO STDOUT', renderFormat), handler);
+
+export const copyQueryToImpl = (sql, queryString, opts, renderFormat, handler) =>
+  copyOut(sql, copyStatement(`(${queryString})`, { ...opts, columns: [] }, 'TO STDOUT', renderFormat), handler);
+
+export const txCopyFromImpl = (txn, table, opts, renderFormat, nextRows) =>
+  copyFromImpl(txn._sql || txn, table, opts, renderFormat, nextRows);
+
+export const txCopyFromRawImpl = (txn, table, opts, renderFormat, nextChunk) =>
+  copyFromRawImpl(txn._sql || txn, table, opts, renderFormat, nextChunk);
+
+export const txCopyToImpl = (txn, table, opts, renderFormat, handler) =>
+  copyToImpl(txn._sql || txn, table, opts, renderFormat, handler);
+
+export const txCopyQueryToImpl = (txn, queryString, opts, renderFormat, handler) =>
+  copyQueryToImpl(txn._sql || txn, queryString, opts, renderFormat, handler);
+
 // Connection management
 
 export const endImpl = (sql) => sql.end();
 
 // Listen/Notify
+//
+// postgres.js runs every LISTEN on one dedicated connection and, after that
+// connection drops, listens again with fresh listener objects. The `unlisten`
+// it hands back only knows the original listener, so subscriptions are removed
+// by handler identity instead, which survives the re-listen.
 
-export const listenImpl = async (sql, channel, handler) => {
-  await sql.listen(channel, (payload) => {
-    handler({ channel, payload })();
-  });
+const listenState = (sql) => sql.listen.channels && sql.listen.sql
+  ? { channels: sql.listen.channels, listener: sql.listen.sql }
+  : null;
+
+const dropListeners = async (sql, channel, keep) => {
+  const state = listenState(sql);
+  if (!state || !(channel in state.channels)) return;
+
+  const entry = state.channels[channel];
+  entry.listeners = entry.listeners.filter(keep);
+  if (entry.listeners.length) return;
+
+  delete state.channels[channel];
+  await state.listener.unsafe(`UNLISTEN ${quoteIdent(channel)}`);
+};
+
+const subscribe = async (sql, channel, onNotify, opts) => {
+  let listened = false;
+  const fn = (payload) => onNotify(payload);
+  const onlisten = () => {
+    // Called once for the initial LISTEN and again after every re-listen
+    if (listened) {
+      opts.onResubscribe && opts.onResubscribe();
+    } else {
+      listened = true;
+      opts.onListen && opts.onListen();
+    }
+  };
+
+  const result = await sql.listen(channel, fn, onlisten);
+  let active = true;
+
+  return async () => {
+    if (!active) return;
+    active = false;
+    if (listenState(sql)) {
+      await dropListeners(sql, channel, (l) => l.fn !== fn);
+    } else {
+      await result.unlisten();
+    }
+  };
+};
+
+export const listenImpl = async (sql, channel, handler, opts) => {
+  const unlisten = await subscribe(
+    sql,
+    channel,
+    (payload) => handler({ channel, payload })(),
+    opts
+  );
+  return () => unlisten();
 };
 
 export const unlistenImpl = async (sql, channel) => {
-  // postgres.js uses the same listen method to unlisten
-  if (sql.listen.unlisten) {
-    return sql.listen.unlisten(channel);
-  }
-  // Alternative: just resolve, as postgres.js handles cleanup automatically
-  return Promise.resolve();
+  await dropListeners(sql, channel, () => false);
+};
+
+// Notifications are buffered until `next` asks for them; `next` resolves
+// with null once the stream is closed
+export const openNotificationsImpl = async (sql, channel, opts) => {
+  const buffered = [];
+  const waiting = [];
+
+  const unlisten = await subscribe(
+    sql,
+    channel,
+    (payload) => {
+      const notification = { channel, payload };
+      const resolve = waiting.shift();
+      if (resolve) resolve(notification);
+      else buffered.push(notification);
+    },
+    opts
+  );
+
+  return { buffered, waiting, unlisten, closed: false };
+};
+
+export const nextNotificationImpl = (stream) => {
+  if (stream.buffered.length) return Promise.resolve(stream.buffered.shift());
+  if (stream.closed) return Promise.resolve(null);
+  return new Promise((resolve) => stream.waiting.push(resolve));
+};
+
+export const closeNotificationsImpl = async (stream) => {
+  if (stream.closed) return;
+  stream.closed = true;
+  stream.buffered.length = 0;
+  stream.waiting.splice(0).forEach((resolve) => resolve(null));
+  await stream.unlisten();
 };
 
 export const notifyImpl = (sql, channel, payload) => 
   sql.notify(channel, payload);
 
 // Prepared statements
+//
+// Statements are registered per pool and run through postgres.js' extended
+// protocol (`prepare: true`), which parses them once per backend connection
+// and parses them again after a reconnect. Every result tells us which backend
+// (pid) ran it and under which server-side name, so `deallocate` can issue a
+// real DEALLOCATE on each connection the statement lives on.
+//
+// postgres.js sends a query without parameters over the simple protocol even
+// with `prepare: true`, so such statements are never parsed server-side and
+// have nothing to deallocate; they simply record no backend.
+
+const registries = new WeakMap();
 
-// Store prepared statements in a WeakMap
-const preparedStatements = new WeakMap();
+const registryFor = (sql) => {
+  if (!registries.has(sql)) {
+    registries.set(sql, { statements: new Map(), pending: new Map() });
+  }
+  return registries.get(sql);
+};
+
+const quoteIdent = (name) => '"' + String(name).replace(/"/g, '""') + '"';
+
+// Run the DEALLOCATEs queued for the backend behind this reserved connection
+const flushDeallocations = async (conn, registry, pid) => {
+  const names = registry.pending.get(pid);
+  if (!names) return;
+  registry.pending.delete(pid);
+  for (const serverName of names) {
+    try {
+      await conn.unsafe(`DEALLOCATE ${quoteIdent(serverName)}`);
+    } catch (err) {
+      // 26000: already gone (e.g. the backend was replaced after a reconnect)
+      if (err.code !== '26000') throw err;
+    }
+  }
+};
 
-export const prepareImpl = async (sql, name, queryString) => {
-  // Store the query string associated with this statement name
-  if (!preparedStatements.has(sql)) {
-    preparedStatements.set(sql, new Map());
+const queueDeallocations = (registry, stmt) => {
+  for (const [pid, serverName] of stmt.backends) {
+    if (!registry.pending.has(pid)) {
+      registry.pending.set(pid, new Set());
+    }
+    registry.pending.get(pid).add(serverName);
   }
-  preparedStatements.get(sql).set(name, queryString);
+  stmt.backends.clear();
 };
 
-export const executePreparedImpl = async (sql, name, params) => {
-  // Retrieve the query string for this prepared statement
-  const stmts = preparedStatements.get(sql);
-  if (!stmts || !stmts.has(name)) {
+export const prepareImpl = async (sql, name, queryString, opts) => {
+  const registry = registryFor(sql);
+  const existing = registry.statements.get(name);
+  if (existing) {
+    queueDeallocations(registry, existing);
+  }
+  registry.statements.set(name, {
+    query: queryString,
+    prepared: opts.prepared !== false,
+    backends: new Map()
+  });
+};
+
+const executePrepared = async (sql, registry, name, params) => {
+  const stmt = registry && registry.statements.get(name);
+  if (!stmt) {
     throw new Error(`Prepared statement "${name}" not found`);
   }
-  const queryString = stmts.get(name);
-  
-  // Execute using the stored query string
-  const result = await sql.unsafe(queryString, params);
+
+  const result = await sql.unsafe(stmt.query, params, { prepare: stmt.prepared });
+  const pid = result.state && result.state.pid;
+  if (stmt.prepared && pid != null && result.statement && result.statement.name) {
+    stmt.backends.set(pid, result.statement.name);
+  }
   return {
     rows: result,
     count: result.count ?? 0,
@@ -195,11 +606,66 @@ export const executePreparedImpl = async (sql, name, params) => {
   };
 };
 
+// The pool picks the connection; postgres.js keeps the parsed statement on it
+export const executePreparedImpl = (sql, name, params) =>
+  executePrepared(sql, registries.get(sql), name, params);
+
+// Inside a transaction the statement runs on the transaction's backend
+export const txExecutePreparedImpl = (txn, name, params) =>
+  executePrepared(txn._sql, registries.get(txn._pool), name, params);
+
+// Reserve pool connections one after another, holding each so the next
+// reserve hands out a different backend, until every backend with queued
+// DEALLOCATEs has been visited. Once the whole pool has been seen, whatever
+// is still queued belongs to backends that have closed, and closing a
+// backend drops its statements with it.
+const flushAllDeallocations = async (sql, registry) => {
+  const max = (sql.options && sql.options.max) || 1;
+  const reserved = [];
+  try {
+    while (registry.pending.size > 0 && reserved.length < max) {
+      const conn = await sql.reserve();
+      reserved.push(conn);
+      const [{ pid }] = await conn`SELECT pg_backend_pid() AS pid`;
+      await flushDeallocations(conn, registry, pid);
+    }
+    registry.pending.clear();
+  } finally {
+    for (const conn of reserved) conn.release();
+  }
+};
+
 export const deallocateImpl = async (sql, name) => {
-  // Remove the prepared statement from our map
-  const stmts = preparedStatements.get(sql);
-  if (stmts) {
-    stmts.delete(name);
+  const registry = registries.get(sql);
+  const stmt = registry && registry.statements.get(name);
+  if (!stmt) return;
+
+  registry.statements.delete(name);
+  queueDeallocations(registry, stmt);
+  await flushAllDeallocations(sql, registry);
+};
+
+// Advisory locks
+//
+// Session-level advisory locks belong to one backend, so the lock is taken
+// on a reserved connection that stays out of the pool until it is unlocked.
+
+export const acquireAdvisoryLockImpl = async (sql, name) => {
+  const reserved = await sql.reserve();
+  try {
+    await reserved.unsafe('SELECT pg_advisory_lock(hashtext($1))', [name]);
+  } catch (err) {
+    reserved.release();
+    throw err;
+  }
+  return reserved;
+};
+
+export const releaseAdvisoryLockImpl = async (reserved, name) => {
+  try {
+    await reserved.unsafe('SELECT pg_advisory_unlock(hashtext($1))', [name]);
+  } finally {
+    reserved.release();
   }
 };
 
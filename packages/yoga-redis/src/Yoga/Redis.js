@@ -3,6 +3,56 @@ import Redis from 'ioredis';
 // Create Redis client
 export const createRedisImpl = (config) => new Redis(config);
 
+export const createClusterImpl = (nodes, config) => {
+  const { password, connectTimeout, ...options } = config;
+  return new Redis.Cluster(nodes, { ...options, redisOptions: { password, connectTimeout } });
+};
+
+export const createSentinelImpl = (sentinels, name, config) => {
+  const { readFromReplica, ...options } = config;
+  return new Redis({ ...options, sentinels, name, role: readFromReplica ? 'slave' : 'master' });
+};
+
+export const isCluster = (redis) => redis.isCluster === true;
+
+export const keyPrefixImpl = (redis) => redis.options?.keyPrefix ?? '';
+
+export const masterNodesImpl = (redis) => {
+  if (redis.isCluster !== true) return Promise.resolve([redis]);
+  if (redis.status === 'ready') return Promise.resolve(redis.nodes('master'));
+  return new Promise((resolve, reject) => {
+    const onReady = () => {
+      redis.off('error', onError);
+      resolve(redis.nodes('master'));
+    };
+    const onError = (error) => {
+      redis.off('ready', onReady);
+      reject(error);
+    };
+    redis.once('ready', onReady);
+    redis.once('error', onError);
+  });
+};
+
+// Hash slots (CRC16/XMODEM of the key or its hash tag, modulo 16384)
+const crc16 = (bytes) => {
+  let crc = 0;
+  for (const byte of bytes) {
+    crc ^= byte << 8;
+    for (let i = 0; i < 8; i++) {
+      crc = crc & 0x8000 ? ((crc << 1) ^ 0x1021) & 0xffff : (crc << 1) & 0xffff;
+    }
+  }
+  return crc;
+};
+
+export const keySlotImpl = (key) => {
+  const start = key.indexOf('{');
+  const end = start === -1 ? -1 : key.indexOf('}', start + 1);
+  const hashed = end > start + 1 ? key.slice(start + 1, end) : key;
+  return crc16(Buffer.from(hashed)) % 16384;
+};
+
 // Connection
 export const connectImpl = (redis) => redis.connect();
 
@@ -158,5 +208,128 @@ export const zscoreImpl = async (redis, key, member) => {
   return score !== null ? parseFloat(score) : null;
 };
 
+// Geo Operations
+export const geoaddImpl = (redis, key, members, opts) => {
+  const args = [key];
+
+  if (opts.nx === true) {
+    args.push('NX');
+  }
+  if (opts.xx === true) {
+    args.push('XX');
+  }
+  if (opts.ch === true) {
+    args.push('CH');
+  }
+  for (const { member, coordinates } of members) {
+    args.push(coordinates.longitude, coordinates.latitude, member);
+  }
+
+  return redis.geoadd(...args);
+};
+
+export const geodistImpl = async (redis, key, from, to, unit) => {
+  const distance = await redis.geodist(key, from, to, unit);
+  return distance !== null ? parseFloat(distance) : null;
+};
+
+const coordinatesOf = ([longitude, latitude]) => ({
+  longitude: parseFloat(longitude),
+  latitude: parseFloat(latitude)
+});
+
+export const geoposImpl = async (redis, key, members) => {
+  const positions = await redis.geopos(key, ...members);
+  return positions.map((position) => (position !== null ? coordinatesOf(position) : null));
+};
+
+export const geosearchImpl = async (redis, key, args, opts) => {
+  const searchArgs = [key, ...args];
+
+  if (opts.ascending === true) {
+    searchArgs.push('ASC');
+  }
+  if (opts.ascending === false) {
+    searchArgs.push('DESC');
+  }
+  if (opts.count !== undefined) {
+    searchArgs.push('COUNT', opts.count);
+    if (opts.any === true) {
+      searchArgs.push('ANY');
+    }
+  }
+  searchArgs.push('WITHDIST', 'WITHCOORD');
+
+  // Each result comes as [member, distance, [longitude, latitude]]
+  const results = await redis.geosearch(...searchArgs);
+  return results.map(([member, distance, coordinates]) => ({
+    member,
+    distance: parseFloat(distance),
+    coordinates: coordinatesOf(coordinates)
+  }));
+};
+
+// Bitmap Operations
+export const setbitImpl = async (redis, key, offset, value) =>
+  (await redis.setbit(key, offset, value ? 1 : 0)) === 1;
+
+export const getbitImpl = async (redis, key, offset) =>
+  (await redis.getbit(key, offset)) === 1;
+
+export const bitcountImpl = (redis, key, range) => redis.bitcount(key, ...range);
+
+export const bitfieldImpl = (redis, key, args) => redis.bitfield(key, ...args);
+
+// HyperLogLog Operations
+export const pfaddImpl = async (redis, key, elements) =>
+  (await redis.pfadd(key, ...elements)) === 1;
+
+export const pfcountImpl = (redis, keys) => redis.pfcount(...keys);
+
+export const pfmergeImpl = async (redis, destination, sources) => {
+  await redis.pfmerge(destination, ...sources);
+};
+
 // Pub/Sub Operations
 export const publishImpl = (redis, channel, message) => redis.publish(channel, message);
+
+// Key Iteration
+const scanArgs = (cursor, opts) => {
+  const args = [cursor];
+  if (opts.match !== undefined) {
+    args.push('MATCH', opts.match);
+  }
+  if (opts.count !== undefined) {
+    args.push('COUNT', opts.count);
+  }
+  if (opts.keyType !== undefined) {
+    args.push('TYPE', opts.keyType);
+  }
+  return args;
+};
+
+const pairs = (flat, toItem) => {
+  const items = [];
+  for (let i = 0; i < flat.length; i += 2) {
+    items.push(toItem(flat[i], flat[i + 1]));
+  }
+  return items;
+};
+
+export const scanImpl = (redis, cursor, opts) =>
+  redis.scan(...scanArgs(cursor, opts)).then(([next, items]) => ({ cursor: next, items }));
+
+export const hscanImpl = (redis, key, cursor, opts) =>
+  redis.hscan(key, ...scanArgs(cursor, opts)).then(([next, flat]) => ({
+    cursor: next,
+    items: pairs(flat, (field, value) => ({ field, value }))
+  }));
+
+export const sscanImpl = (redis, key, cursor, opts) =>
+  redis.sscan(key, ...scanArgs(cursor, opts)).then(([next, items]) => ({ cursor: next, items }));
+
+export const zscanImpl = (redis, key, cursor, opts) =>
+  redis.zscan(key, ...scanArgs(cursor, opts)).then(([next, flat]) => ({
+    cursor: next,
+    items: pairs(flat, (value, score) => ({ value, score: parseFloat(score) }))
+  }));
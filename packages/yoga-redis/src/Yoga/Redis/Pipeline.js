@@ -0,0 +1,78 @@
+// Queue the commands on an ioredis pipeline (or MULTI) and report each
+// command's own error next to its reply
+const queue = (batch, commands) => {
+  for (const { name, args } of commands) {
+    batch[name](...args);
+  }
+  return batch;
+};
+
+const toReplies = (results) =>
+  results.map(([error, reply]) => ({ error: error ?? null, reply }));
+
+export const pipelineImpl = (redis, commands) =>
+  commands.length === 0
+    ? Promise.resolve([])
+    : queue(redis.pipeline(), commands).exec().then(toReplies);
+
+// Resolves to null when a WATCHed key changed before EXEC
+export const multiImpl = (redis, commands) =>
+  queue(redis.multi(), commands)
+    .exec()
+    .then((results) => (results === null ? null : toReplies(results)));
+
+export const watchImpl = (redis, keys) => redis.watch(...keys);
+
+export const unwatchImpl = (redis) => redis.unwatch();
+
+// Arguments
+export const setArgsImpl = (key) => (value) => (opts) => {
+  const args = [key, value];
+
+  if (opts.ex !== undefined) {
+    args.push('EX', opts.ex);
+  }
+  if (opts.px !== undefined) {
+    args.push('PX', opts.px);
+  }
+  if (opts.nx === true) {
+    args.push('NX');
+  }
+  if (opts.xx === true) {
+    args.push('XX');
+  }
+  if (opts.keepttl === true) {
+    args.push('KEEPTTL');
+  }
+
+  return args;
+};
+
+export const zaddArgsImpl = (key) => (members) => (opts) => {
+  const args = [key];
+
+  for (const flag of ['nx', 'xx', 'gt', 'lt', 'ch']) {
+    if (opts[flag] === true) {
+      args.push(flag.toUpperCase());
+    }
+  }
+  for (const member of members) {
+    args.push(member.score, member.value);
+  }
+
+  return args;
+};
+
+// Replies
+export const withScoresImpl = (results) => {
+  const members = [];
+
+  // Results come as [value1, score1, value2, score2, ...]
+  for (let i = 0; i < results.length; i += 2) {
+    members.push({ value: results[i], score: parseFloat(results[i + 1]) });
+  }
+
+  return members;
+};
+
+export const scoreImpl = (score) => (score === null ? null : parseFloat(score));
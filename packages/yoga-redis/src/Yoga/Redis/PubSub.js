@@ -1,53 +1,136 @@
 import Redis from 'ioredis';
 
 // Create subscriber (separate Redis instance for subscriptions)
-export const createSubscriberImpl = (config) => new Redis(config);
+// The registry below resubscribes after reconnects, so ioredis does not
+export const createSubscriberImpl = ({ onError, ...config }) => {
+  const subscriber = new Redis({ ...config, autoResubscribe: false });
+  if (onError) subscriber.on('error', (error) => onError(error)());
+  return subscriber;
+};
 
-// Subscribe to channels
-export const subscribeImpl = (subscriber, channels, handler) => {
-  // Set up message handler
-  subscriber.on('message', (channel, message) => {
-    handler({
-      channel,
-      message
-    })();
-  });
-  
-  // Subscribe to channels
-  return subscriber.subscribe(...channels);
+// Subscription registry
+// One listener per message kind routes each message to the handlers of its
+// channel or pattern; Redis is only asked to (un)subscribe when the first
+// handler for a name arrives or the last one leaves
+const commands = {
+  channel: { subscribe: 'subscribe', unsubscribe: 'unsubscribe' },
+  pattern: { subscribe: 'psubscribe', unsubscribe: 'punsubscribe' },
+  shard: { subscribe: 'ssubscribe', unsubscribe: 'sunsubscribe' },
 };
 
-// Unsubscribe from channels
-export const unsubscribeImpl = (subscriber, channels) => {
-  if (channels.length === 0) {
-    return subscriber.unsubscribe();
+const registries = new WeakMap();
+
+const deliver = (handlers, payload) => {
+  for (const entry of [...(handlers ?? [])]) {
+    entry.handler(payload)();
   }
-  return subscriber.unsubscribe(...channels);
 };
 
-// Pattern subscribe
-export const psubscribeImpl = (subscriber, patterns, handler) => {
-  // Set up pattern message handler
-  subscriber.on('pmessage', (pattern, channel, message) => {
-    handler({
-      pattern,
-      channel,
-      message
-    })();
-  });
-  
-  // Subscribe to patterns
-  return subscriber.psubscribe(...patterns);
+const resubscribe = (subscriber, registry) => {
+  for (const [kind, { subscribe }] of Object.entries(commands)) {
+    const names = [...registry[kind].keys()];
+    if (names.length > 0) {
+      // Reported like the connection's own errors; emitting 'error' with no
+      // listener would throw and leave the rejection unhandled
+      subscriber[subscribe](...names).catch((error) => {
+        if (subscriber.listenerCount('error') > 0) subscriber.emit('error', error);
+      });
+    }
+  }
 };
 
-// Pattern unsubscribe
-export const punsubscribeImpl = (subscriber, patterns) => {
-  if (patterns.length === 0) {
-    return subscriber.punsubscribe();
+const registryFor = (subscriber) => {
+  const existing = registries.get(subscriber);
+  if (existing) return existing;
+
+  const registry = { channel: new Map(), pattern: new Map(), shard: new Map() };
+  registries.set(subscriber, registry);
+
+  subscriber.on('message', (channel, message) =>
+    deliver(registry.channel.get(channel), { channel, message }));
+  subscriber.on('pmessage', (pattern, channel, message) =>
+    deliver(registry.pattern.get(pattern), { pattern, channel, message }));
+  subscriber.on('smessage', (channel, message) =>
+    deliver(registry.shard.get(channel), { channel, message }));
+  subscriber.on('ready', () => resubscribe(subscriber, registry));
+
+  return registry;
+};
+
+// Resolves to the subscription's release function
+const addHandler = (kind) => (subscriber, names, handler) => {
+  const handlers = registryFor(subscriber)[kind];
+  const { subscribe, unsubscribe } = commands[kind];
+  const entry = { handler };
+  const fresh = [];
+
+  for (const name of names) {
+    if (!handlers.has(name)) {
+      handlers.set(name, new Set());
+      fresh.push(name);
+    }
+    handlers.get(name).add(entry);
+  }
+
+  const release = () => {
+    const unused = [];
+    for (const name of names) {
+      const forName = handlers.get(name);
+      if (forName?.delete(entry) && forName.size === 0) {
+        handlers.delete(name);
+        unused.push(name);
+      }
+    }
+    return unused.length === 0
+      ? Promise.resolve()
+      : subscriber[unsubscribe](...unused).then(() => {});
+  };
+
+  if (fresh.length === 0) return Promise.resolve(release);
+  return subscriber[subscribe](...fresh).then(
+    () => release,
+    (error) => release().then(() => Promise.reject(error), () => Promise.reject(error)),
+  );
+};
+
+// Drops every handler for the names, or for all names when none are given
+const removeHandlers = (kind) => (subscriber, names) => {
+  const handlers = registryFor(subscriber)[kind];
+  const { unsubscribe } = commands[kind];
+
+  if (names.length === 0) {
+    handlers.clear();
+    return subscriber[unsubscribe]().then(() => {});
+  }
+  for (const name of names) {
+    handlers.delete(name);
   }
-  return subscriber.punsubscribe(...patterns);
+  return subscriber[unsubscribe](...names).then(() => {});
 };
 
+export const runReleaseImpl = (release) => release();
+
+// Subscribe to channels
+export const subscribeImpl = addHandler('channel');
+
+// Unsubscribe from channels
+export const unsubscribeImpl = removeHandlers('channel');
+
+// Pattern subscribe
+export const psubscribeImpl = addHandler('pattern');
+
+// Pattern unsubscribe
+export const punsubscribeImpl = removeHandlers('pattern');
+
+// Sharded subscribe (Redis 7)
+export const ssubscribeImpl = addHandler('shard');
+
+// Sharded unsubscribe
+export const sunsubscribeImpl = removeHandlers('shard');
+
+// Sharded publish, from a regular client
+export const spublishImpl = (redis, channel, message) => redis.spublish(channel, message);
+
 // Disconnect subscriber
 export const disconnectSubscriberImpl = (subscriber) => subscriber.disconnect();
 
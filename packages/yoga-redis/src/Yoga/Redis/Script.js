@@ -0,0 +1,40 @@
+import { createHash } from 'node:crypto';
+
+const isNoScript = (error) => String(error?.message).startsWith('NOSCRIPT');
+
+export const sha1Impl = (source) => createHash('sha1').update(source).digest('hex');
+
+// Scripts
+
+// Call the script by SHA; EVAL sends the source when the server has not
+// cached it (after a restart or SCRIPT FLUSH), caching it again
+export const evalScriptImpl = (redis, sha, source, keys, args) =>
+  redis.evalsha(sha, keys.length, ...keys, ...args).catch((error) => {
+    if (isNoScript(error)) {
+      return redis.eval(source, keys.length, ...keys, ...args);
+    }
+    throw error;
+  });
+
+export const scriptLoadImpl = (redis, source) => redis.script('LOAD', source);
+
+export const scriptExistsImpl = (redis, shas) =>
+  shas.length === 0
+    ? Promise.resolve([])
+    : redis.script('EXISTS', ...shas).then((results) => results.map((r) => r === 1));
+
+export const scriptFlushImpl = (redis) => redis.script('FLUSH').then(() => {});
+
+// Functions (Redis 7)
+
+export const functionLoadImpl = (redis, code, replace) =>
+  replace ? redis.function('LOAD', 'REPLACE', code) : redis.function('LOAD', code);
+
+export const functionDeleteImpl = (redis, library) =>
+  redis.function('DELETE', library).then(() => {});
+
+export const fcallImpl = (redis, name, keys, args) =>
+  redis.fcall(name, keys.length, ...keys, ...args);
+
+export const fcallReadOnlyImpl = (redis, name, keys, args) =>
+  redis.fcall_ro(name, keys.length, ...keys, ...args);
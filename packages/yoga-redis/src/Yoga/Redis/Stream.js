@@ -0,0 +1,204 @@
+// Entries come back as [id, [field1, value1, field2, value2, ...]]
+// Fields are null for entries deleted while still pending
+const toFields = (flat) => {
+  const fields = [];
+  for (let i = 0; i < (flat ?? []).length; i += 2) {
+    fields.push({ field: flat[i], value: flat[i + 1] });
+  }
+  return fields;
+};
+
+const toEntry = ([id, fields]) => ({ id, fields: toFields(fields) });
+
+const toStreams = (results) =>
+  (results ?? []).map(([stream, entries]) => ({
+    stream,
+    entries: entries.map(toEntry)
+  }));
+
+const trimArgs = (opts) => {
+  const args = [];
+  const threshold = opts.maxlen ?? opts.minid;
+
+  if (threshold !== undefined) {
+    args.push(opts.maxlen !== undefined ? 'MAXLEN' : 'MINID');
+    if (opts.approximate === true) {
+      args.push('~');
+    }
+    args.push(threshold);
+    if (opts.limit !== undefined) {
+      args.push('LIMIT', opts.limit);
+    }
+  }
+
+  return args;
+};
+
+const readArgs = (opts, streams) => {
+  const args = [];
+
+  if (opts.count !== undefined) {
+    args.push('COUNT', opts.count);
+  }
+  if (opts.block !== undefined) {
+    args.push('BLOCK', Math.trunc(opts.block));
+  }
+  if (opts.noack === true) {
+    args.push('NOACK');
+  }
+  args.push('STREAMS', ...streams.map((s) => s.key), ...streams.map((s) => s.id));
+
+  return args;
+};
+
+// Writing
+
+export const xaddImpl = (redis, key, fields, opts) => {
+  const args = [key];
+
+  if (opts.nomkstream === true) {
+    args.push('NOMKSTREAM');
+  }
+  args.push(...trimArgs(opts), opts.id ?? '*');
+  for (const { field, value } of fields) {
+    args.push(field, value);
+  }
+
+  return redis.xadd(...args);
+};
+
+// strategy is "maxlen" or "minid"
+export const xtrimImpl = (redis, key, strategy, threshold, opts) =>
+  redis.xtrim(key, ...trimArgs({ ...opts, [strategy]: threshold }));
+
+export const xdelImpl = (redis, key, ids) => redis.xdel(key, ...ids);
+
+export const xlenImpl = (redis, key) => redis.xlen(key);
+
+// Reading
+
+export const xrangeImpl = (redis, key, start, end, opts) => {
+  const args = [key, start, end];
+  if (opts.count !== undefined) {
+    args.push('COUNT', opts.count);
+  }
+  return redis.xrange(...args).then((entries) => entries.map(toEntry));
+};
+
+export const xrevrangeImpl = (redis, key, end, start, opts) => {
+  const args = [key, end, start];
+  if (opts.count !== undefined) {
+    args.push('COUNT', opts.count);
+  }
+  return redis.xrevrange(...args).then((entries) => entries.map(toEntry));
+};
+
+// Resolves to [] when BLOCK times out
+export const xreadImpl = (redis, streams, opts) =>
+  redis.xread(...readArgs(opts, streams)).then(toStreams);
+
+// Consumer groups
+
+export const xgroupCreateImpl = (redis, key, group, id, opts) => {
+  const args = ['CREATE', key, group, id];
+  if (opts.mkstream === true) {
+    args.push('MKSTREAM');
+  }
+  if (opts.entriesRead !== undefined) {
+    args.push('ENTRIESREAD', opts.entriesRead);
+  }
+  return redis.xgroup(...args).then(() => {});
+};
+
+// Like xgroupCreate with MKSTREAM, but a group that already exists is fine
+export const ensureGroupImpl = (redis, key, group, id) =>
+  redis.xgroup('CREATE', key, group, id, 'MKSTREAM').then(
+    () => true,
+    (error) => {
+      if (String(error.message).startsWith('BUSYGROUP')) {
+        return false;
+      }
+      throw error;
+    }
+  );
+
+export const xgroupDestroyImpl = (redis, key, group) =>
+  redis.xgroup('DESTROY', key, group).then((result) => result === 1);
+
+export const xgroupSetIdImpl = (redis, key, group, id) =>
+  redis.xgroup('SETID', key, group, id).then(() => {});
+
+export const xgroupDelConsumerImpl = (redis, key, group, consumer) =>
+  redis.xgroup('DELCONSUMER', key, group, consumer);
+
+export const xreadgroupImpl = (redis, group, consumer, streams, opts) =>
+  redis
+    .xreadgroup('GROUP', group, consumer, ...readArgs(opts, streams))
+    .then(toStreams);
+
+export const xackImpl = (redis, key, group, ids) =>
+  ids.length === 0 ? Promise.resolve(0) : redis.xack(key, group, ...ids);
+
+export const xpendingSummaryImpl = (redis, key, group) =>
+  redis.xpending(key, group).then(([count, smallest, largest, consumers]) => ({
+    count,
+    smallest,
+    largest,
+    consumers: (consumers ?? []).map(([consumer, pending]) => ({
+      consumer,
+      pending: parseInt(pending, 10)
+    }))
+  }));
+
+export const xpendingImpl = (redis, key, group, count, opts) => {
+  const args = [key, group];
+  if (opts.idle !== undefined) {
+    args.push('IDLE', Math.trunc(opts.idle));
+  }
+  args.push(opts.start ?? '-', opts.end ?? '+', count);
+  if (opts.consumer !== undefined) {
+    args.push(opts.consumer);
+  }
+  return redis.xpending(...args).then((entries) =>
+    entries.map(([id, consumer, idle, deliveries]) => ({
+      id,
+      consumer,
+      idle,
+      deliveries
+    }))
+  );
+};
+
+export const xclaimImpl = (redis, key, group, consumer, minIdle, ids, opts) => {
+  if (ids.length === 0) {
+    return Promise.resolve([]);
+  }
+
+  const args = [key, group, consumer, Math.trunc(minIdle), ...ids];
+  if (opts.idle !== undefined) {
+    args.push('IDLE', Math.trunc(opts.idle));
+  }
+  if (opts.retrycount !== undefined) {
+    args.push('RETRYCOUNT', opts.retrycount);
+  }
+  if (opts.force === true) {
+    args.push('FORCE');
+  }
+
+  return redis
+    .xclaim(...args)
+    .then((entries) => entries.filter((entry) => entry !== null).map(toEntry));
+};
+
+// Redis 7 also reports the ids of pending entries that no longer exist
+export const xautoclaimImpl = (redis, key, group, consumer, minIdle, start, opts) => {
+  const args = [key, group, consumer, Math.trunc(minIdle), start];
+  if (opts.count !== undefined) {
+    args.push('COUNT', opts.count);
+  }
+  return redis.xautoclaim(...args).then(([next, entries, deleted]) => ({
+    next,
+    entries: entries.filter((entry) => entry !== null).map(toEntry),
+    deleted: deleted ?? []
+  }));
+};
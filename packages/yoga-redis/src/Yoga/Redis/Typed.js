@@ -0,0 +1,16 @@
+// Split a record written by yoga-json into JSON-encoded hash fields and the
+// fields to remove (Nothing values are written as undefined)
+export const encodeFieldsImpl = (written) => {
+  const set = [];
+  const unset = [];
+
+  for (const [field, value] of Object.entries(written)) {
+    if (value === undefined) {
+      unset.push(field);
+    } else {
+      set.push({ field, value: JSON.stringify(value) });
+    }
+  }
+
+  return { set, unset };
+};
@@ -0,0 +1,3 @@
+// ACL SETUSER, which the library does not wrap
+export const aclSetUserImpl = (redis, user, rules) =>
+  redis.call('ACL', 'SETUSER', user, ...rules).then(() => {});
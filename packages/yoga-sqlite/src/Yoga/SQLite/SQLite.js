@@ -19,6 +19,11 @@ export const execImpl = (sql, params, db) => {
   stmt.run(...params);
 };
 
+// Execute a script of one or more statements (no parameters)
+export const execScriptImpl = (sql, db) => {
+  db.exec(sql);
+};
+
 // Query for multiple rows
 export const queryImpl = (sql, params, db) => {
   const stmt = db.prepare(sql);